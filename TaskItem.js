@@ -19,8 +19,9 @@ function normalizeStatus(status) {
 
 /**
  * Check if a task is completed based on various status indicators
- * CRITICAL: Handles all Vietnamese and English variations
- * Checks multiple possible property names to be robust
+ * An explicit `completed` boolean always wins; the status-string and link
+ * guesses below only apply to legacy objects that carry no such flag.
+ * Handles all Vietnamese and English variations
  *
  * @param {Object} task - The task object
  * @param {Object} taskState - The task state object (contains completed flag)
@@ -38,6 +39,13 @@ function isTaskCompleted(task, taskState = {}) {
     return true;
   }
 
+  // An explicit flag is authoritative - no guessing from stray statuses or links
+  if (typeof taskState.completed === 'boolean' || typeof task.completed === 'boolean') {
+    const completed = taskState.completed === true || task.completed === true;
+    console.log('   Explicit completed flag:', completed);
+    return completed;
+  }
+
   // FALLBACK 1: Check task.isCompleted boolean (alternative property name)
   if (task.isCompleted === true) {
     console.log('   ✅ Found: task.isCompleted = true');
@@ -120,6 +128,101 @@ function getCompletionStatus(task, taskState = {}) {
   };
 }
 
+/**
+ * Collect the tickable items of a task.
+ * Static plan tasks tick their `details` steps (flags kept in taskState.checklist);
+ * dynamic tasks carry their own `checklist` of steps and subtasks.
+ *
+ * @param {Object} task - The task object
+ * @param {Object} taskState - The task state (static tasks only)
+ * @returns {Array} - Items shaped { id, text, done, kind, assigneeId, dueDate }
+ */
+function getChecklistItems(task, taskState = {}) {
+  if (Array.isArray(task.checklist)) {
+    return task.checklist
+      .filter(item => item && String(item.text || '').trim())
+      .map(item => ({
+        id: String(item.id),
+        text: String(item.text).trim(),
+        done: item.done === true,
+        kind: item.kind === 'subtask' ? 'subtask' : 'step',
+        assigneeId: item.assigneeId || '',
+        dueDate: item.dueDate || ''
+      }));
+  }
+
+  const flags = Array.isArray(taskState.checklist) ? taskState.checklist : [];
+  const details = Array.isArray(task.details) ? task.details : [];
+  return details.map((text, index) => ({
+    id: String(index),
+    text: String(text),
+    done: flags[index] === true,
+    kind: 'step',
+    assigneeId: '',
+    dueDate: ''
+  }));
+}
+
+/**
+ * Count ticked items of a checklist
+ * @param {Array} items - Items from getChecklistItems
+ * @returns {Object} { done, total, ratio } - ratio is 0 for an empty checklist
+ */
+function getChecklistProgress(items = []) {
+  const total = items.length;
+  const done = items.filter(item => item.done).length;
+  return { done, total, ratio: total > 0 ? done / total : 0 };
+}
+
+/**
+ * Render the checklist block of a task card
+ *
+ * @param {string} taskId - Owning task ID
+ * @param {Array} items - Items from getChecklistItems
+ * @param {Object} options - Rendering options
+ * @param {boolean} options.editable - Whether the checkboxes can be ticked
+ * @param {Object} options.assigneeNames - Map of assignee ID → display name
+ * @param {Function} options.onChangeAttr - Returns an inline onchange handler for an item
+ * @returns {string} - HTML string ('' when the task has no items)
+ */
+function renderChecklistHtml(taskId, items, options = {}) {
+  if (!items.length) return '';
+  const { editable = false, assigneeNames = {}, onChangeAttr = null } = options;
+  const progress = getChecklistProgress(items);
+  const percent = Math.round(progress.ratio * 100);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const rows = items.map(item => {
+    const overdue = !item.done && item.dueDate && item.dueDate < today;
+    const dueText = item.dueDate ? item.dueDate.split('-').reverse().join('/') : '';
+    const handler = editable && onChangeAttr ? `onchange="${onChangeAttr(item)}"` : '';
+    return `
+      <li class="task-checklist-item ${item.done ? 'done' : ''}">
+        <label>
+          <input type="checkbox" data-checklist-item="${escapeHtml(item.id)}" ${item.done ? 'checked' : ''} ${editable ? '' : 'disabled'} ${handler} />
+          <span class="task-checklist-text">${escapeHtml(item.text)}</span>
+        </label>
+        ${item.kind === 'subtask' ? '<span class="task-checklist-kind">Subtask</span>' : ''}
+        ${item.assigneeId ? `<span class="task-checklist-meta">👤 ${escapeHtml(assigneeNames[item.assigneeId] || 'Chưa gán')}</span>` : ''}
+        ${dueText ? `<span class="task-checklist-meta ${overdue ? 'overdue' : ''}">📅 ${dueText}</span>` : ''}
+      </li>
+    `;
+  }).join('');
+
+  return `
+    <div class="task-checklist" data-checklist="${taskId}">
+      <div class="task-checklist-header">
+        <span>☑️ Checklist</span>
+        <span>${progress.done} / ${progress.total} (${percent}%)</span>
+      </div>
+      <div class="progress-bar task-checklist-bar">
+        <div class="progress-bar-inner bg-blue-600" style="width:${percent}%"></div>
+      </div>
+      <ul class="task-checklist-items">${rows}</ul>
+    </div>
+  `;
+}
+
 /**
  * Create a task card element for a single task
  *
@@ -131,6 +234,9 @@ function getCompletionStatus(task, taskState = {}) {
  * @param {Function} options.onView - Callback when View button is clicked
  * @param {Function} options.onEdit - Callback when Edit button is clicked
  * @param {Function} options.onComment - Callback when Comment button is clicked
+ * @param {Function} options.onChecklistToggle - Callback when a checklist item is ticked
+ * @param {string} options.linkedNotesHtml - Pre-rendered block of notes linked to the task
+ * @param {string} options.riskBadgeHtml - Pre-rendered warning badge for open risks linked to the task
  * @param {boolean} options.isAdmin - Whether current user is admin
  *
  * @returns {HTMLElement} - The task card element
@@ -144,6 +250,9 @@ function createTaskItem(options) {
     onView = () => {},
     onEdit = () => {},
     onComment = () => {},
+    onChecklistToggle = () => {},
+    linkedNotesHtml = '',
+    riskBadgeHtml = '',
     isAdmin = false
   } = options;
 
@@ -166,7 +275,8 @@ function createTaskItem(options) {
 
   // Get task metadata
   const title = task.title || task.name || 'Untitled Task';
-  const description = task.description || task.details?.join(', ') || '';
+  const description = task.description || '';
+  const checklistItems = getChecklistItems(task, taskState);
   const owner = task.owner || task.assignee || 'Unassigned';
   const startDate = task.startDate || 'N/A';
   const endDate = task.endDate || 'N/A';
@@ -187,7 +297,7 @@ function createTaskItem(options) {
   // Build card HTML - BADGE AND FOOTER USE SAME COMPLETION CHECK
   card.innerHTML = `
     <div class="task-header">
-      <h4 class="task-title">${escapeHtml(title)}</h4>
+      <h4 class="task-title">${escapeHtml(title)}${riskBadgeHtml}</h4>
       <span id="task-status-${task.id}" class="task-status status-${completed ? 'completed' : 'pending'}">
         ${completed ? 'HOÀN THÀNH' : 'CHƯA XONG'}
       </span>
@@ -200,6 +310,10 @@ function createTaskItem(options) {
       </div>
     ` : ''}
 
+    ${renderChecklistHtml(task.id, checklistItems, { editable: isAdmin })}
+
+    ${linkedNotesHtml}
+
     <div class="task-meta">
       <span>📅 Bắt đầu: <strong>${escapeHtml(startDate)}</strong></span>
       <span>|</span>
@@ -302,7 +416,7 @@ function createTaskItem(options) {
   `;
 
   // Attach event listeners
-  attachTaskItemEventListeners(card, task, slug, { onComplete, onView, onEdit, onComment });
+  attachTaskItemEventListeners(card, task, slug, { onComplete, onView, onEdit, onComment, onChecklistToggle });
 
   console.log('✅ [createTaskItem] Task card created successfully');
   console.log('   Badge visible:', completed ? 'GREEN (HOÀN THÀNH)' : 'GRAY (CHƯA XONG)');
@@ -319,7 +433,13 @@ function createTaskItem(options) {
  * @param {Object} callbacks - Event callback functions
  */
 function attachTaskItemEventListeners(card, task, slug, callbacks = {}) {
-  const { onComplete = () => {}, onView = () => {}, onEdit = () => {}, onComment = () => {} } = callbacks;
+  const {
+    onComplete = () => {},
+    onView = () => {},
+    onEdit = () => {},
+    onComment = () => {},
+    onChecklistToggle = () => {}
+  } = callbacks;
 
   // Complete button
   const completeBtn = card.querySelector(`[data-task-id="${task.id}"].task-complete-btn`);
@@ -361,6 +481,14 @@ function attachTaskItemEventListeners(card, task, slug, callbacks = {}) {
     });
   }
 
+  // Checklist ticks - delegated so re-rendered items keep working
+  card.addEventListener('change', (e) => {
+    const checkbox = e.target.closest('[data-checklist-item]');
+    if (!checkbox) return;
+    console.log('☑️ [EVENT] Checklist item toggled:', task.id, checkbox.dataset.checklistItem);
+    onChecklistToggle({ taskId: task.id, itemId: checkbox.dataset.checklistItem, done: checkbox.checked, slug });
+  });
+
   // Input field - track changes
   const inputField = card.querySelector(`[data-task-id="${task.id}"].task-link-input`);
   if (inputField) {
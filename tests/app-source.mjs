@@ -0,0 +1,72 @@
+// The app is a single inline module in index.html. Tests pull the declarations
+// they exercise out of it by name and bind them to the Firestore instance and
+// globals they would see in the browser.
+import { readFileSync } from 'node:fs';
+
+const source = readFileSync(new URL('../index.html', import.meta.url), 'utf8');
+
+// Index just past the string, template or comment that starts at `start`
+function skipLiteral(text, start){
+  const open = text[start];
+  if(open === '/' && text[start + 1] === '/') return text.indexOf('\n', start) + 1;
+  if(open === '/' && text[start + 1] === '*') return text.indexOf('*/', start) + 2;
+  for(let i = start + 1; i < text.length; i++){
+    if(text[i] === '\\'){ i++; continue; }
+    if(open === '`' && text[i] === '$' && text[i + 1] === '{'){ i = skipBlock(text, i + 1) - 1; continue; }
+    if(text[i] === open || (open === '/' && text[i] === '\n')) return i + 1;
+  }
+  throw new Error(`Unterminated literal at ${start}`);
+}
+
+// A `/` starts a regular expression after an operator or an opening bracket
+function startsRegex(text, index){
+  let i = index - 1;
+  while(i >= 0 && /\s/.test(text[i])) i--;
+  return i < 0 || /[(,=:[!&|?{};+\-*%<>~^]/.test(text[i]) || /\breturn$/.test(text.slice(Math.max(0, i - 6), i + 1));
+}
+
+// Index just past the bracketed block that opens at `start`
+function skipBlock(text, start){
+  let depth = 0;
+  for(let i = start; i < text.length; i++){
+    const char = text[i];
+    if(char === '"' || char === "'" || char === '`' || (char === '/' && (text[i + 1] === '/' || text[i + 1] === '*' || startsRegex(text, i)))){
+      i = skipLiteral(text, i) - 1;
+    } else if(char === '{' || char === '[' || char === '('){
+      depth++;
+    } else if(char === '}' || char === ']' || char === ')'){
+      depth--;
+      if(depth === 0) return i + 1;
+    }
+  }
+  throw new Error(`Unbalanced block at ${start}`);
+}
+
+function declaration(name){
+  const match = new RegExp(`\\n\\s*((?:async\\s+)?function\\s+${name}\\s*\\(|const\\s+${name}\\s*=)`).exec(source);
+  if(!match) throw new Error(`${name} is not declared in index.html`);
+  const start = match.index + match[0].indexOf(match[1]);
+  if(match[1].startsWith('const')){
+    const end = source.indexOf(';', start);
+    const valueStart = start + match[1].length;
+    const firstToken = source.slice(valueStart).trimStart()[0];
+    if(firstToken === '{' || firstToken === '['){
+      const blockStart = source.indexOf(firstToken, valueStart);
+      return `${source.slice(start, skipBlock(source, blockStart))};`;
+    }
+    return source.slice(start, end + 1);
+  }
+  const bodyStart = source.indexOf('{', skipBlock(source, source.indexOf('(', start)));
+  return source.slice(start, skipBlock(source, bodyStart));
+}
+
+/**
+ * Evaluate the named top-level declarations of index.html in one scope
+ * @param {string[]} names - Functions and constants, in dependency order for constants
+ * @param {Object} globals - Names the declarations use (db, currentUser, SDK functions…)
+ * @returns {Object} The declarations by name
+ */
+export function loadAppDeclarations(names, globals){
+  const body = `${names.map(declaration).join('\n')}\nreturn { ${names.join(', ')} };`;
+  return new Function(...Object.keys(globals), body)(...Object.values(globals));
+}
@@ -0,0 +1,239 @@
+// Project backup round trip on the Firestore emulator: export a project, restore
+// it in replace and merge modes and compare, and restore an archive written by
+// an older BACKUP_SCHEMA_VERSION. Runs the functions of index.html as an admin,
+// so firestore.rules applies to every read and write.
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp, collection, doc, getDoc, getDocs, serverTimestamp, setDoc, writeBatch } from 'firebase/firestore';
+import { loadAppDeclarations } from './app-source.mjs';
+
+const ADMIN = { uid: 'ada', email: 'ada@example.com' };
+const BACKUP_DECLARATIONS = [
+  'BACKUP_FORMAT', 'BACKUP_SCHEMA_VERSION', 'BACKUP_PROJECT_FIELDS', 'BACKUP_MIGRATIONS', 'PROJECT_CLONE_BATCH_SIZE',
+  'legacyNoteCreatedAt', 'encodeBackupValue', 'decodeBackupValue', 'readBackupDocs', 'collectAttachmentUrls', 'blobToBase64',
+  'buildProjectBackup', 'migrateBackupArchive', 'planProjectRestore', 'writeProjectRestore',
+];
+
+let testEnv;
+let db;
+let app;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-dashboard',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'users', ADMIN.uid), { role: 'admin' }));
+  db = testEnv.authenticatedContext(ADMIN.uid).firestore();
+  app = loadAppDeclarations(BACKUP_DECLARATIONS, {
+    db, currentUser: ADMIN, Timestamp, collection, doc, getDoc, getDocs, serverTimestamp, setDoc, writeBatch,
+  });
+});
+
+const at = iso => Timestamp.fromDate(new Date(iso));
+
+function comment(projectId, text, createdAt){
+  return { projectId, text, userId: ADMIN.uid, userName: 'Ada', parentId: null, mentions: [], reactions: {}, history: [], edited: false, createdAt: at(createdAt) };
+}
+
+async function seedProject(projectId){
+  const batch = writeBatch(db);
+  const projectRef = doc(db, 'projects', projectId);
+  batch.set(projectRef, {
+    name: 'Nguồn',
+    ownerId: ADMIN.uid,
+    memberIds: [ADMIN.uid],
+    taskState: { '1.1': { completed: true, link: '', completedAt: '2026-10-01T08:00:00.000Z', updatedAt: '2026-10-01T08:00:00.000Z' } },
+    settings: { planStartDate: '2026-09-01', launchDate: '2026-12-01', trashRetentionDays: 14 },
+    customTypes: ['Ý tưởng'],
+  });
+  batch.set(doc(projectRef, 'menus', 'content'), { name: 'Content', type: 'task-list', order: 1 });
+  batch.set(doc(projectRef, 'menus', 'content', 'tasks', 'task-1'), {
+    name: 'Viết bài blog', order: 1, assigneeId: 'as-1', endDate: '2026-10-20', completed: false, commentCount: 2,
+    checklist: [{ id: 'c1', text: 'Dàn ý', kind: 'step', done: true, doneAt: '2026-10-02T08:00:00.000Z', doneBy: 'Ada' }],
+    createdAt: at('2026-09-15T08:00:00.000Z'),
+  });
+  batch.set(doc(projectRef, 'menus', 'content', 'tasks', 'task-1', 'comments', 'cm-1'), comment(projectId, 'Bản nháp đầu', '2026-10-03T08:00:00.000Z'));
+  batch.set(doc(projectRef, 'menus', 'content', 'tasks', 'task-1', 'comments', 'cm-2'), { ...comment(projectId, 'Đã sửa', '2026-10-04T08:00:00.000Z'), parentId: 'cm-1' });
+  batch.set(doc(projectRef, 'planTasks', '1.1', 'comments', 'cm-3'), comment(projectId, 'Xong phần khảo sát', '2026-10-01T09:00:00.000Z'));
+  batch.set(doc(projectRef, 'notes', 'note-1'), { content: 'Họp tuần', type: 'Ý tưởng', tags: ['họp'], pinned: true, authorId: ADMIN.uid, authorName: 'Ada', createdAt: at('2026-10-05T08:00:00.000Z') });
+  batch.set(doc(projectRef, 'assignees', 'as-1'), { name: 'Marketing' });
+  batch.set(doc(projectRef, 'taskTemplates', 'tpl-1'), { name: 'Bài blog', checklist: [] });
+  await batch.commit();
+}
+
+// Everything a backup covers, with the fields a restore sets on its own
+// (project updatedAt and membership, comment projectId) left out
+async function readProject(projectId){
+  const read = async path => Object.fromEntries((await getDocs(collection(db, ...path))).docs.map(d => [d.id, app.encodeBackupValue(d.data())]));
+  const withoutProjectId = docs => Object.fromEntries(Object.entries(docs).map(([id, { projectId: _projectId, ...data }]) => [id, data]));
+  const project = (await getDoc(doc(db, 'projects', projectId))).data();
+  const snapshot = {
+    project: app.encodeBackupValue(Object.fromEntries(app.BACKUP_PROJECT_FIELDS.filter(key => project[key] !== undefined).map(key => [key, project[key]]))),
+    notes: await read(['projects', projectId, 'notes']),
+    assignees: await read(['projects', projectId, 'assignees']),
+    taskTemplates: await read(['projects', projectId, 'taskTemplates']),
+    menus: {},
+    planComments: {},
+  };
+  for(const [menuId, data] of Object.entries(await read(['projects', projectId, 'menus']))){
+    const tasks = await read(['projects', projectId, 'menus', menuId, 'tasks']);
+    for(const taskId of Object.keys(tasks)){
+      tasks[taskId] = { data: tasks[taskId], comments: withoutProjectId(await read(['projects', projectId, 'menus', menuId, 'tasks', taskId, 'comments'])) };
+    }
+    snapshot.menus[menuId] = { data, tasks };
+  }
+  for(const taskId of Object.keys(project.taskState || {})){
+    snapshot.planComments[taskId] = withoutProjectId(await read(['projects', projectId, 'planTasks', taskId, 'comments']));
+  }
+  return snapshot;
+}
+
+// What a file round trip does to an archive
+async function exportProject(projectId){
+  return JSON.parse(JSON.stringify(await app.buildProjectBackup(projectId)));
+}
+
+async function restore(archive, targetId, mode){
+  const migrated = app.migrateBackupArchive(archive);
+  const plan = await app.planProjectRestore(migrated, { targetId, mode, isNew: false, uploadAttachments: false });
+  await app.writeProjectRestore(migrated, plan);
+  return plan;
+}
+
+// A target that already holds documents the archive does not have
+async function seedStaleTarget(projectId){
+  const batch = writeBatch(db);
+  const projectRef = doc(db, 'projects', projectId);
+  batch.set(projectRef, { name: 'Đích', ownerId: ADMIN.uid, memberIds: [ADMIN.uid, 'bob'], taskState: {} });
+  batch.set(doc(projectRef, 'menus', 'old'), { name: 'Menu cũ', type: 'task-list', order: 2 });
+  batch.set(doc(projectRef, 'menus', 'content', 'tasks', 'task-stale'), { name: 'Task cũ', order: 9, completed: false });
+  batch.set(doc(projectRef, 'menus', 'content', 'tasks', 'task-1', 'comments', 'cm-stale'), comment(projectId, 'Bình luận cũ', '2026-01-01T00:00:00.000Z'));
+  batch.set(doc(projectRef, 'notes', 'note-stale'), { content: 'Ghi chú cũ', authorId: ADMIN.uid, createdAt: at('2026-01-01T00:00:00.000Z') });
+  await batch.commit();
+}
+
+describe('backup round trip', () => {
+  test('replace mode makes the target equal to the exported project', async () => {
+    await seedProject('source');
+    await seedStaleTarget('target');
+    const archive = await exportProject('source');
+    assert.equal(archive.schemaVersion, app.BACKUP_SCHEMA_VERSION);
+
+    const plan = await restore(archive, 'target', 'replace');
+    assert.deepEqual(plan.counts.menus, { create: 1, overwrite: 0, delete: 1 });
+    assert.deepEqual(plan.counts.tasks, { create: 1, overwrite: 0, delete: 1 });
+    assert.deepEqual(await readProject('target'), await readProject('source'));
+
+    // Membership of an existing target is kept, restored comments belong to it
+    const target = (await getDoc(doc(db, 'projects', 'target'))).data();
+    assert.deepEqual(target.memberIds, [ADMIN.uid, 'bob']);
+    const restoredComment = await getDoc(doc(db, 'projects', 'target', 'menus', 'content', 'tasks', 'task-1', 'comments', 'cm-1'));
+    assert.equal(restoredComment.data().projectId, 'target');
+  });
+
+  test('merge mode overwrites archived documents and keeps the others', async () => {
+    await seedProject('source');
+    await seedStaleTarget('target');
+    await restore(await exportProject('source'), 'target', 'merge');
+
+    const source = await readProject('source');
+    const target = await readProject('target');
+    assert.deepEqual(target.menus.content.tasks['task-1'].data, source.menus.content.tasks['task-1'].data);
+    assert.deepEqual(Object.keys(target.menus).sort(), ['content', 'old']);
+    assert.deepEqual(Object.keys(target.menus.content.tasks).sort(), ['task-1', 'task-stale']);
+    assert.deepEqual(Object.keys(target.menus.content.tasks['task-1'].comments).sort(), ['cm-1', 'cm-2', 'cm-stale']);
+    assert.deepEqual(Object.keys(target.notes).sort(), ['note-1', 'note-stale']);
+    assert.deepEqual(target.planComments, source.planComments);
+    assert.deepEqual(target.project.settings, source.project.settings);
+  });
+
+  test('a restore into a new project makes the admin its owner and only member', async () => {
+    await seedProject('source');
+    const plan = await restore(await exportProject('source'), 'copy', 'replace');
+    assert.equal(plan.targetExists, false);
+    assert.deepEqual(await readProject('copy'), await readProject('source'));
+    const copy = (await getDoc(doc(db, 'projects', 'copy'))).data();
+    assert.equal(copy.ownerId, ADMIN.uid);
+    assert.deepEqual(copy.memberIds, [ADMIN.uid]);
+  });
+});
+
+describe('schema upgrade', () => {
+  // Schema 1: comments were arrays on tasks and taskState entries, notes and
+  // activityLogs arrays on the project document
+  function versionOneArchive(){
+    return {
+      format: app.BACKUP_FORMAT,
+      schemaVersion: 1,
+      exportedAt: '2025-12-01T00:00:00.000Z',
+      project: {
+        id: 'legacy',
+        data: {
+          name: 'Dự án cũ',
+          taskState: { '1.1': { completed: false, comments: [{ text: 'Góp ý cũ', userName: 'Bình', timestamp: '2025-11-20T08:00:00.000Z' }] } },
+          notes: [{ id: 1763625600000, content: 'Ghi chú cũ', type: 'Ý tưởng', date: '20/11/2025' }],
+          activityLogs: [{ taskId: '1.1', status: 'completed' }],
+        },
+      },
+      menus: [{
+        id: 'content',
+        data: { name: 'Content', type: 'task-list', order: 1 },
+        tasks: [{
+          id: 'task-1',
+          data: {
+            name: 'Viết bài blog', order: 1, completed: false,
+            comments: [
+              { text: 'Thêm ảnh', userId: 'bob', userName: 'Bob', createdAt: '2025-11-21T08:00:00.000Z' },
+              { text: 'Đã thêm', userId: 'ada', userName: 'Ada', createdAt: '2025-11-22T08:00:00.000Z', edited: true },
+            ],
+          },
+        }],
+      }],
+      assignees: [],
+    };
+  }
+
+  test('an older archive is upgraded step by step and restored', async () => {
+    const archive = app.migrateBackupArchive(versionOneArchive());
+    assert.equal(archive.schemaVersion, app.BACKUP_SCHEMA_VERSION);
+
+    const plan = await app.planProjectRestore(archive, { targetId: 'legacy', mode: 'replace', isNew: true, uploadAttachments: false });
+    await app.writeProjectRestore(archive, plan);
+
+    const task = (await getDoc(doc(db, 'projects', 'legacy', 'menus', 'content', 'tasks', 'task-1'))).data();
+    assert.equal(task.comments, undefined);
+    assert.equal(task.commentCount, 2);
+    const comments = (await getDocs(collection(db, 'projects', 'legacy', 'menus', 'content', 'tasks', 'task-1', 'comments'))).docs;
+    assert.deepEqual(comments.map(d => [d.id, d.data().text, d.data().projectId]), [
+      ['legacy-0', 'Thêm ảnh', 'legacy'],
+      ['legacy-1', 'Đã thêm', 'legacy'],
+    ]);
+
+    const planComments = (await getDocs(collection(db, 'projects', 'legacy', 'planTasks', '1.1', 'comments'))).docs;
+    assert.deepEqual(planComments.map(d => [d.id, d.data().text]), [['legacy-0', 'Góp ý cũ']]);
+
+    const project = (await getDoc(doc(db, 'projects', 'legacy'))).data();
+    assert.equal(project.notes, undefined);
+    assert.equal(project.activityLogs, undefined);
+    assert.deepEqual(project.taskState['1.1'].comments, []);
+    const note = (await getDoc(doc(db, 'projects', 'legacy', 'notes', '1763625600000'))).data();
+    assert.equal(note.content, 'Ghi chú cũ');
+    assert.ok(note.createdAt instanceof Timestamp);
+    assert.equal(note.createdAt.toDate().toISOString(), '2025-11-20T08:00:00.000Z');
+  });
+
+  test('an archive from a newer schema is refused', () => {
+    assert.throws(() => app.migrateBackupArchive({ ...versionOneArchive(), schemaVersion: app.BACKUP_SCHEMA_VERSION + 1 }), /mới hơn/);
+  });
+});
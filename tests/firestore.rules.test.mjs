@@ -0,0 +1,210 @@
+// Security rules for menu tasks and their comments: what the assignee of a task
+// and other members may write. Runs against the Firestore emulator (npm test).
+import { after, before, beforeEach, describe, test } from 'node:test';
+import { readFileSync } from 'node:fs';
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { arrayRemove, arrayUnion, doc, serverTimestamp, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+
+const PROJECT_ID = 'demo-dashboard';
+const TASK_PATH = 'projects/main/menus/content/tasks/task-1';
+
+let testEnv;
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+// alice works as assignee `as-1`, bob is a contributor on other tasks and
+// victor only views the project
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async context => {
+    const db = context.firestore();
+    await setDoc(doc(db, 'users/alice'), { role: 'contributor', assigneeIds: ['as-1'] });
+    await setDoc(doc(db, 'users/bob'), { role: 'contributor', assigneeIds: ['as-2'] });
+    await setDoc(doc(db, 'users/victor'), { role: 'viewer', assigneeIds: ['as-1'] });
+    await setDoc(doc(db, 'projects/main'), { name: 'Main', memberIds: ['alice', 'bob', 'victor'] });
+    await setDoc(doc(db, 'projects/main/menus/content'), { name: 'Content', type: 'task-list' });
+    await setDoc(doc(db, TASK_PATH), {
+      name: 'Viết bài blog',
+      assigneeId: 'as-1',
+      endDate: '2026-11-01',
+      completed: false,
+      completedLink: '',
+    });
+  });
+});
+
+function taskRef(uid){
+  return doc(testEnv.authenticatedContext(uid).firestore(), TASK_PATH);
+}
+
+function completion(){
+  return {
+    completed: true,
+    deliverables: [{ id: 'dl-1', label: '', type: 'link', url: 'https://example.com/post', versions: [] }],
+    completedLink: 'https://example.com/post',
+    completedAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  };
+}
+
+describe('task result', () => {
+  test('the assignee submits a result', async () => {
+    await assertSucceeds(updateDoc(taskRef('alice'), completion()));
+  });
+
+  test('the assignee submits a result for review', async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      updateDoc(doc(context.firestore(), TASK_PATH), { requiresApproval: true }));
+    const entry = { action: 'submitted', at: '2026-10-18T09:00:00.000Z', by: 'Alice', byId: 'alice' };
+    await assertSucceeds(updateDoc(taskRef('alice'), {
+      completed: false,
+      completedLink: 'https://example.com/post',
+      review: { state: 'pending', submittedAt: entry.at, submittedBy: entry.by, submittedById: 'alice', reason: '' },
+      reviewHistory: arrayUnion(entry),
+      updatedAt: serverTimestamp(),
+    }));
+  });
+
+  test('a contributor who is not the assignee is denied', async () => {
+    await assertFails(updateDoc(taskRef('bob'), completion()));
+  });
+
+  test('a viewer is denied, even when linked to the assignee', async () => {
+    await assertFails(updateDoc(taskRef('victor'), completion()));
+  });
+});
+
+describe('task definition', () => {
+  for(const [field, value] of [['name', 'Tên khác'], ['assigneeId', 'as-2'], ['endDate', '2026-12-31']]){
+    test(`the assignee cannot change ${field}`, async () => {
+      await assertFails(updateDoc(taskRef('alice'), { [field]: value, updatedAt: serverTimestamp() }));
+    });
+
+    test(`the assignee cannot change ${field} while submitting a result`, async () => {
+      await assertFails(updateDoc(taskRef('alice'), { ...completion(), [field]: value }));
+    });
+  }
+});
+
+describe('comment reactions', () => {
+  const COMMENT_PATH = `${TASK_PATH}/comments/comment-1`;
+
+  beforeEach(async () => {
+    await testEnv.withSecurityRulesDisabled(context =>
+      setDoc(doc(context.firestore(), COMMENT_PATH), {
+        text: 'Đã xong bản nháp',
+        userId: 'alice',
+        userName: 'Alice',
+        parentId: null,
+        reactions: { like: ['alice'] },
+      }));
+  });
+
+  function commentRef(uid){
+    return doc(testEnv.authenticatedContext(uid).firestore(), COMMENT_PATH);
+  }
+
+  test('a member adds and removes their own reaction', async () => {
+    await assertSucceeds(updateDoc(commentRef('bob'), { 'reactions.like': arrayUnion('bob') }));
+    await assertSucceeds(updateDoc(commentRef('bob'), { 'reactions.like': arrayRemove('bob') }));
+  });
+
+  test('a member cannot remove someone else\'s reaction', async () => {
+    await assertFails(updateDoc(commentRef('bob'), { 'reactions.like': arrayRemove('alice') }));
+  });
+
+  test('a member cannot react in someone else\'s name', async () => {
+    await assertFails(updateDoc(commentRef('bob'), { 'reactions.heart': arrayUnion('victor') }));
+  });
+
+  test('a viewer cannot react', async () => {
+    await assertFails(updateDoc(commentRef('victor'), { 'reactions.like': arrayUnion('victor') }));
+  });
+});
+
+describe('recurring task', () => {
+  const RULE = 'FREQ=WEEKLY';
+
+  async function seedRecurring(fields){
+    await testEnv.withSecurityRulesDisabled(context =>
+      updateDoc(doc(context.firestore(), TASK_PATH), { recurrence: RULE, description: '', startDate: '', ...fields }));
+  }
+
+  // What buildNextRecurrence writes for the second occurrence of task-1
+  function nextInstance(endDate){
+    return {
+      name: 'Viết bài blog',
+      description: '',
+      startDate: '',
+      endDate,
+      assigneeId: 'as-1',
+      dependsOn: [],
+      recurrence: RULE,
+      checklist: [],
+      requiresApproval: null,
+      reviewerId: '',
+      seriesId: 'task-1',
+      occurrence: 2,
+      recurrenceOf: 'task-1',
+      completed: false,
+      completedLink: '',
+      completedComment: '',
+      completedAt: null,
+      commentCount: 0,
+      order: 2,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+  }
+
+  function openNext(uid, id, data){
+    const db = testEnv.authenticatedContext(uid).firestore();
+    const batch = writeBatch(db);
+    batch.set(doc(db, `projects/main/menus/content/tasks/${id}`), data);
+    batch.update(doc(db, TASK_PATH), { nextInstanceId: id, updatedAt: serverTimestamp() });
+    return batch.commit();
+  }
+
+  test('a member opens the next instance once the task is completed', async () => {
+    await seedRecurring({ completed: true });
+    await assertSucceeds(openNext('bob', 'task-1-2', nextInstance('2026-11-08')));
+  });
+
+  test('a member opens the next instance when its window has started', async () => {
+    await seedRecurring({ endDate: '2026-01-01' });
+    await assertSucceeds(openNext('bob', 'task-1-2', nextInstance('2026-01-08')));
+  });
+
+  test('the next instance cannot open early while the task is still open', async () => {
+    await seedRecurring({ endDate: '2099-01-01' });
+    await assertFails(openNext('bob', 'task-1-2', nextInstance('2099-01-08')));
+  });
+
+  test('the next instance must keep the series id', async () => {
+    await seedRecurring({ completed: true });
+    await assertFails(openNext('bob', 'task-1-9', nextInstance('2026-11-08')));
+  });
+
+  for(const [field, value] of [['name', 'Tên khác'], ['assigneeId', 'as-2'], ['completed', true], ['requiresApproval', false], ['occurrence', 5], ['extra', 'x']]){
+    test(`the next instance cannot set ${field}`, async () => {
+      await seedRecurring({ completed: true });
+      await assertFails(openNext('bob', 'task-1-2', { ...nextInstance('2026-11-08'), [field]: value }));
+    });
+  }
+
+  test('nextInstanceId cannot point at a task that already exists', async () => {
+    await seedRecurring({ completed: true });
+    await testEnv.withSecurityRulesDisabled(context =>
+      setDoc(doc(context.firestore(), 'projects/main/menus/content/tasks/other'), nextInstance('2026-11-08')));
+    await assertFails(updateDoc(taskRef('bob'), { nextInstanceId: 'other', updatedAt: serverTimestamp() }));
+  });
+});